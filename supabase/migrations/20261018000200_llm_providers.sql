@@ -0,0 +1,4 @@
+-- Provedor e modelo usados em cada geração
+
+alter table generated_content add column if not exists provider text;
+alter table generated_content add column if not exists model text;
@@ -0,0 +1,10 @@
+-- Convenção das migrações: toda tabela nova liga row level security e não cria políticas.
+-- Só o backend (service_role, que ignora RLS) acessa; anon e authenticated não leem nada.
+
+-- Conteúdo gerado pertence ao usuário autenticado (Supabase Auth)
+
+alter table generated_content add column if not exists user_id uuid;
+
+create index if not exists generated_content_user_id_idx on generated_content (user_id, created_at);
+
+alter table generated_content enable row level security;
@@ -0,0 +1,21 @@
+-- Planos das assinaturas e trial por usuário
+
+alter table user_subscriptions add column if not exists plan text;
+
+create table if not exists user_trials (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null,
+    user_email text,
+    started_at timestamptz not null default now(),
+    ends_at timestamptz not null
+);
+
+alter table user_trials add column if not exists user_id uuid;
+alter table user_trials add column if not exists user_email text;
+alter table user_trials add column if not exists started_at timestamptz not null default now();
+alter table user_trials add column if not exists ends_at timestamptz;
+
+-- Um trial por usuário (alvo do upsert em getOrStartTrial)
+create unique index if not exists user_trials_user_id_key on user_trials (user_id);
+
+alter table user_trials enable row level security;
@@ -0,0 +1,22 @@
+-- Entregas do webhook da Hotmart: idempotência por event_id e ordem por last_event_at
+
+create table if not exists webhook_events (
+    event_id text primary key,
+    event_type text,
+    transaction text,
+    user_email text,
+    payload jsonb,
+    occurred_at timestamptz,
+    status text not null default 'processing' check (status in ('processing', 'processed', 'failed', 'ignored')),
+    error text,
+    received_at timestamptz not null default now(),
+    claimed_at timestamptz not null default now(),
+    processed_at timestamptz
+);
+
+create index if not exists webhook_events_user_email_idx on webhook_events (user_email, received_at);
+create index if not exists webhook_events_status_idx on webhook_events (status, received_at);
+
+alter table user_subscriptions add column if not exists last_event_at timestamptz;
+
+alter table webhook_events enable row level security;
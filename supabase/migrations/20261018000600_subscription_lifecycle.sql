@@ -0,0 +1,27 @@
+-- Ciclo de vida das assinaturas recorrentes (carência, atraso, troca de plano) e histórico
+
+alter table user_subscriptions add column if not exists subscriber_code text;
+alter table user_subscriptions add column if not exists grace_until timestamptz;
+alter table user_subscriptions add column if not exists delayed_at timestamptz;
+alter table user_subscriptions add column if not exists protested_at timestamptz;
+alter table user_subscriptions add column if not exists expired_at timestamptz;
+alter table user_subscriptions add column if not exists plan_changed_at timestamptz;
+
+create table if not exists subscription_history (
+    id uuid primary key default gen_random_uuid(),
+    user_email text not null,
+    event_id text,
+    event_type text,
+    source text not null default 'hotmart',
+    from_status text,
+    to_status text,
+    from_plan text,
+    to_plan text,
+    ends_at timestamptz,
+    occurred_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists subscription_history_user_email_idx on subscription_history (user_email, occurred_at);
+
+alter table subscription_history enable row level security;
@@ -0,0 +1,21 @@
+-- Templates de geração: padrões (owner_id nulo, somente leitura) e do usuário
+
+create table if not exists templates (
+    id uuid primary key default gen_random_uuid(),
+    slug text not null,
+    owner_id uuid,
+    name text not null,
+    system_message text,
+    prompt_body text not null,
+    temperature numeric,
+    constraints jsonb not null default '{}'::jsonb,
+    output_schema jsonb,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+-- Slug único por dono; os padrões têm um único slug global
+create unique index if not exists templates_owner_slug_key on templates (owner_id, slug) where owner_id is not null;
+create unique index if not exists templates_builtin_slug_key on templates (slug) where owner_id is null;
+
+alter table templates enable row level security;
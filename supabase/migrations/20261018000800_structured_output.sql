@@ -0,0 +1,3 @@
+-- Saída estruturada (JSON validado pelo schema do template)
+
+alter table generated_content add column if not exists structured_content jsonb;
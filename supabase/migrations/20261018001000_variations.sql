@@ -0,0 +1,9 @@
+-- Variações por chamada: lote, índice, temperatura e escolha (A/B)
+
+alter table generated_content add column if not exists temperature numeric;
+alter table generated_content add column if not exists batch_id uuid;
+alter table generated_content add column if not exists variation_index integer;
+alter table generated_content add column if not exists selection text check (selection in ('picked', 'published'));
+alter table generated_content add column if not exists selected_at timestamptz;
+
+create index if not exists generated_content_batch_id_idx on generated_content (batch_id) where batch_id is not null;
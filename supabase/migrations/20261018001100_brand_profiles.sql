@@ -0,0 +1,22 @@
+-- Perfis de voz da marca e verificação de conformidade de cada geração
+
+create table if not exists brand_profiles (
+    id uuid primary key default gen_random_uuid(),
+    owner_id uuid not null,
+    name text not null,
+    voice text,
+    banned_words text[] not null default '{}',
+    disclaimers text[] not null default '{}',
+    preferred_hashtags text[] not null default '{}',
+    catalog_facts text[] not null default '{}',
+    sample_copy text[] not null default '{}',
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists brand_profiles_owner_id_idx on brand_profiles (owner_id, created_at);
+
+alter table generated_content add column if not exists brand_id uuid references brand_profiles (id) on delete set null;
+alter table generated_content add column if not exists brand_check jsonb;
+
+alter table brand_profiles enable row level security;
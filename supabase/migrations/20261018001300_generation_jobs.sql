@@ -0,0 +1,47 @@
+-- Jobs de geração em lote, seus itens e a lease da instância que processa cada job
+
+create table if not exists generation_jobs (
+    id uuid primary key,
+    user_id uuid not null,
+    user_email text,
+    template_type text not null,
+    brand_id uuid,
+    options jsonb not null default '{}'::jsonb,
+    status text not null default 'queued' check (status in ('queued', 'running', 'completed', 'failed', 'canceled')),
+    total_items integer not null default 0,
+    completed_items integer not null default 0,
+    failed_items integer not null default 0,
+    error text,
+    locked_by text,
+    locked_until timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    started_at timestamptz,
+    finished_at timestamptz
+);
+
+create index if not exists generation_jobs_user_id_idx on generation_jobs (user_id, created_at);
+create index if not exists generation_jobs_active_idx on generation_jobs (created_at) where status in ('queued', 'running');
+
+create table if not exists generation_job_items (
+    id uuid primary key default gen_random_uuid(),
+    job_id uuid not null references generation_jobs (id) on delete cascade,
+    row_index integer not null,
+    prompt text not null,
+    context jsonb not null default '{}'::jsonb,
+    status text not null default 'pending' check (status in ('pending', 'running', 'completed', 'failed')),
+    attempts integer not null default 0,
+    content_id uuid,
+    content text,
+    structured_content jsonb,
+    tokens_used integer,
+    error text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (job_id, row_index)
+);
+
+alter table generated_content add column if not exists job_id uuid;
+
+alter table generation_jobs enable row level security;
+alter table generation_job_items enable row level security;
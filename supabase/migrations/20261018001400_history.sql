@@ -0,0 +1,18 @@
+-- Histórico: título, favoritos, tags, busca textual e remoção lógica
+
+alter table generated_content add column if not exists title text;
+alter table generated_content add column if not exists is_favorite boolean not null default false;
+alter table generated_content add column if not exists tags text[] not null default '{}';
+
+-- Removido do histórico continua contando no uso do período
+alter table generated_content add column if not exists deleted_at timestamptz;
+
+-- Busca do /api/history?q= (textSearch com config 'portuguese')
+alter table generated_content add column if not exists search_vector tsvector
+    generated always as (
+        to_tsvector('portuguese', coalesce(title, '') || ' ' || coalesce(prompt, '') || ' ' || coalesce(content, ''))
+    ) stored;
+
+create index if not exists generated_content_search_vector_idx on generated_content using gin (search_vector);
+create index if not exists generated_content_tags_idx on generated_content using gin (tags);
+create index if not exists generated_content_history_idx on generated_content (user_id, created_at, id) where deleted_at is null;
@@ -0,0 +1,8 @@
+-- Refinamentos: cada versão aponta para a anterior (parent_id) e para a original (root_id)
+
+alter table generated_content add column if not exists parent_id uuid references generated_content (id) on delete set null;
+alter table generated_content add column if not exists root_id uuid references generated_content (id) on delete set null;
+alter table generated_content add column if not exists version integer not null default 1;
+alter table generated_content add column if not exists refinement jsonb;
+
+create index if not exists generated_content_root_id_idx on generated_content (root_id) where root_id is not null;
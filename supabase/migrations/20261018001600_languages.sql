@@ -0,0 +1,3 @@
+-- Idioma de cada geração (pt-BR, pt-PT, es, en)
+
+alter table generated_content add column if not exists language text not null default 'pt-BR';
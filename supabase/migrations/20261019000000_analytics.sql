@@ -0,0 +1,133 @@
+-- Analytics agregados no banco (usados por GET /api/analytics)
+
+alter table generated_content add column if not exists latency_ms integer;
+
+create table if not exists generation_failures (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid,
+    template_type text,
+    provider text,
+    model text,
+    error_message text,
+    latency_ms integer,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists generation_failures_created_at_idx on generation_failures (created_at);
+create index if not exists generated_content_created_at_idx on generated_content (created_at);
+
+alter table generation_failures enable row level security;
+
+-- Gerações, falhas, tokens, custo estimado e latência por período e por dimensão.
+-- p_granularity: 'day' | 'week' | 'month' | null (sem série temporal)
+-- p_dimension:   'none' | 'template' | 'user' | 'plan'
+-- p_prices:      {"deepseek": 0.56, ...} em USD por 1M de tokens
+create or replace function analytics_generations(
+    p_from timestamptz,
+    p_to timestamptz,
+    p_granularity text,
+    p_dimension text,
+    p_prices jsonb,
+    p_limit integer default null
+)
+returns table (
+    bucket timestamptz,
+    key text,
+    generations bigint,
+    failures bigint,
+    tokens bigint,
+    cost_usd numeric,
+    avg_latency_ms numeric
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    with events as (
+        select gc.user_id, gc.template_type, gc.provider, gc.tokens_used, gc.latency_ms, false as failed, gc.created_at
+        from generated_content gc
+        where gc.created_at >= p_from and gc.created_at < p_to
+        union all
+        select gf.user_id, gf.template_type, gf.provider, 0, gf.latency_ms, true, gf.created_at
+        from generation_failures gf
+        where gf.created_at >= p_from and gf.created_at < p_to
+    ),
+    labeled as (
+        select
+            e.*,
+            case when p_granularity is null then null else date_trunc(p_granularity, e.created_at) end as bucket,
+            case p_dimension
+                when 'template' then e.template_type
+                when 'user' then e.user_id::text
+                when 'plan' then coalesce(
+                    (select s.plan from user_subscriptions s
+                        join auth.users u on u.email = s.user_email
+                        where u.id = e.user_id
+                        order by s.created_at desc limit 1),
+                    (select 'trial' from user_trials t where t.user_id = e.user_id limit 1),
+                    'none')
+                else null
+            end as key
+        from events e
+    )
+    select
+        l.bucket,
+        l.key,
+        count(*) filter (where not l.failed) as generations,
+        count(*) filter (where l.failed) as failures,
+        coalesce(sum(l.tokens_used), 0)::bigint as tokens,
+        round(coalesce(sum(l.tokens_used * coalesce((p_prices ->> l.provider)::numeric, 0)), 0) / 1000000, 6) as cost_usd,
+        round(avg(l.latency_ms) filter (where not l.failed), 1) as avg_latency_ms
+    from labeled l
+    group by l.bucket, l.key
+    order by l.bucket nulls first, tokens desc
+    limit p_limit;
+$$;
+
+-- Funil de assinaturas por período (novas, canceladas/expiradas, reembolsos, chargebacks)
+create or replace function analytics_subscription_funnel(
+    p_from timestamptz,
+    p_to timestamptz,
+    p_granularity text
+)
+returns table (
+    bucket timestamptz,
+    new_subscriptions bigint,
+    churned bigint,
+    refunded bigint,
+    chargebacks bigint
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    with events as (
+        select created_at as at, 'new' as kind from user_subscriptions
+        union all
+        select canceled_at, 'churned' from user_subscriptions where canceled_at is not null
+        union all
+        select expired_at, 'churned' from user_subscriptions where expired_at is not null
+        union all
+        select refunded_at, 'refunded' from user_subscriptions where refunded_at is not null
+        union all
+        select chargeback_at, 'chargeback' from user_subscriptions where chargeback_at is not null
+    )
+    select
+        date_trunc(coalesce(p_granularity, 'day'), e.at) as bucket,
+        count(*) filter (where e.kind = 'new') as new_subscriptions,
+        count(*) filter (where e.kind = 'churned') as churned,
+        count(*) filter (where e.kind = 'refunded') as refunded,
+        count(*) filter (where e.kind = 'chargeback') as chargebacks
+    from events e
+    where e.at >= p_from and e.at < p_to
+    group by 1
+    order by 1;
+$$;
+
+-- Dados de todos os usuários: só o backend (service_role) chama; a anon key é pública
+revoke execute on function analytics_generations(timestamptz, timestamptz, text, text, jsonb, integer) from public, anon, authenticated;
+revoke execute on function analytics_subscription_funnel(timestamptz, timestamptz, text) from public, anon, authenticated;
+grant execute on function analytics_generations(timestamptz, timestamptz, text, text, jsonb, integer) to service_role;
+grant execute on function analytics_subscription_funnel(timestamptz, timestamptz, text) to service_role;
@@ -0,0 +1,3 @@
+-- Gerações servidas do cache (não contam na cota de uso)
+
+alter table generated_content add column if not exists cache_hit boolean not null default false;
@@ -0,0 +1,23 @@
+-- Moderação de prompts e saídas (bloqueios e sinalizações)
+
+alter table generated_content add column if not exists moderation_status text not null default 'allowed';
+alter table generated_content add column if not exists moderation jsonb;
+
+create table if not exists moderation_events (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid,
+    stage text not null check (stage in ('input', 'output')),
+    template_type text,
+    content_id uuid,
+    job_id uuid,
+    status text not null check (status in ('flagged', 'blocked')),
+    reason text,
+    flags jsonb not null default '[]'::jsonb,
+    excerpt text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists moderation_events_created_at_idx on moderation_events (created_at);
+create index if not exists moderation_events_user_id_idx on moderation_events (user_id, created_at);
+
+alter table moderation_events enable row level security;
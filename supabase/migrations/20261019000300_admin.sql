@@ -0,0 +1,22 @@
+-- API administrativa: acesso revogado pelo suporte e trilha de auditoria
+
+alter table user_subscriptions add column if not exists revoked_at timestamptz;
+
+create table if not exists admin_audit_log (
+    id uuid primary key default gen_random_uuid(),
+    actor_id uuid,
+    actor_email text,
+    action text not null,
+    target_type text,
+    target_id text,
+    reason text,
+    details jsonb,
+    status_code integer,
+    ip text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists admin_audit_log_created_at_idx on admin_audit_log (created_at);
+create index if not exists admin_audit_log_target_idx on admin_audit_log (target_id, created_at);
+
+alter table admin_audit_log enable row level security;
@@ -0,0 +1,44 @@
+-- Webhooks de saída: endpoints cadastrados pelos usuários e log de entregas
+
+create table if not exists webhook_endpoints (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null,
+    owner_email text,
+    url text not null,
+    events text[] not null default '{}',
+    description text,
+    secret text not null,
+    active boolean not null default true,
+    is_global boolean not null default false,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz
+);
+
+create index if not exists webhook_endpoints_user_id_idx on webhook_endpoints (user_id);
+create index if not exists webhook_endpoints_owner_email_idx on webhook_endpoints (owner_email);
+
+create table if not exists webhook_deliveries (
+    id uuid primary key default gen_random_uuid(),
+    endpoint_id uuid not null references webhook_endpoints (id) on delete cascade,
+    event_type text not null,
+    event_id text not null,
+    payload jsonb not null,
+    status text not null default 'pending' check (status in ('pending', 'delivering', 'succeeded', 'failed')),
+    attempts integer not null default 0,
+    next_attempt_at timestamptz,
+    claimed_at timestamptz,
+    response_status integer,
+    response_body text,
+    error text,
+    duration_ms integer,
+    created_at timestamptz not null default now(),
+    delivered_at timestamptz
+);
+
+create index if not exists webhook_deliveries_endpoint_idx on webhook_deliveries (endpoint_id, created_at);
+create index if not exists webhook_deliveries_pending_idx on webhook_deliveries (next_attempt_at) where status = 'pending';
+-- Entregas presas em `delivering` (processo caiu no meio) são retomadas pelo worker
+create index if not exists webhook_deliveries_delivering_idx on webhook_deliveries (claimed_at) where status = 'delivering';
+
+alter table webhook_endpoints enable row level security;
+alter table webhook_deliveries enable row level security;
@@ -0,0 +1,32 @@
+-- Emails do ciclo de vida da assinatura: log de envios (dedupe_key evita email repetido)
+
+create table if not exists email_messages (
+    id uuid primary key default gen_random_uuid(),
+    dedupe_key text not null unique,
+    to_email text not null,
+    template text not null,
+    language text not null,
+    template_values jsonb not null default '{}',
+    subject text not null,
+    transport text not null,
+    status text not null default 'sending' check (status in ('sending', 'sent', 'failed')),
+    message_id text,
+    error text,
+    attempts integer not null default 1,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    sent_at timestamptz
+);
+
+create index if not exists email_messages_to_email_idx on email_messages (to_email);
+create index if not exists email_messages_created_at_idx on email_messages (created_at);
+-- Job mail.retry: envios que falharam ou ficaram presos em `sending`
+create index if not exists email_messages_retry_idx on email_messages (created_at) where status in ('failed', 'sending');
+
+-- Idioma dos emails (derivado do país do comprador na Hotmart)
+alter table user_subscriptions add column if not exists language text;
+
+-- Lembrete de vencimento busca por status + ends_at
+create index if not exists user_subscriptions_status_ends_at_idx on user_subscriptions (status, ends_at);
+
+alter table email_messages enable row level security;
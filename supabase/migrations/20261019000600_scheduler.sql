@@ -0,0 +1,33 @@
+-- Agendador: leases dos jobs (uma instância por vez) e relatórios de expiração/reconciliação
+
+create table if not exists scheduler_locks (
+    name text primary key,
+    holder text not null,
+    locked_until timestamptz not null,
+    last_run_at timestamptz,
+    last_status text,
+    last_error text
+);
+
+create table if not exists subscription_reconciliation_reports (
+    id uuid primary key default gen_random_uuid(),
+    job text not null,
+    trigger text not null,
+    source text,
+    started_at timestamptz not null,
+    finished_at timestamptz not null default now(),
+    checked integer not null default 0,
+    fixed integer not null default 0,
+    discrepancies jsonb not null default '[]',
+    error text
+);
+
+create index if not exists subscription_reconciliation_reports_started_at_idx on subscription_reconciliation_reports (started_at);
+
+-- Trials vencidos marcados pelo job de expiração
+alter table user_trials add column if not exists expired_at timestamptz;
+
+create index if not exists user_trials_ends_at_idx on user_trials (ends_at) where expired_at is null;
+
+alter table scheduler_locks enable row level security;
+alter table subscription_reconciliation_reports enable row level security;
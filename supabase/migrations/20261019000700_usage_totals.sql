@@ -0,0 +1,27 @@
+-- Uso do período somado no banco (getUsage): baixar as linhas para somar no Node esbarra no
+-- limite de linhas por resposta do PostgREST e subestima os tokens de quem gera muito.
+-- Mesmas regras da cota: respostas do cache não contam; conteúdo removido (deleted_at) conta.
+create or replace function usage_totals(
+    p_user_id uuid,
+    p_from timestamptz,
+    p_to timestamptz
+)
+returns table (
+    generations bigint,
+    tokens bigint
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select count(*), coalesce(sum(gc.tokens_used), 0)::bigint
+    from generated_content gc
+    where gc.user_id = p_user_id
+      and gc.created_at >= p_from
+      and gc.created_at < p_to
+      and gc.cache_hit is not true;
+$$;
+
+revoke execute on function usage_totals(uuid, timestamptz, timestamptz) from public, anon, authenticated;
+grant execute on function usage_totals(uuid, timestamptz, timestamptz) to service_role;
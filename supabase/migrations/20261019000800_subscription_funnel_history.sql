@@ -0,0 +1,58 @@
+-- Funil de assinaturas a partir do subscription_history (uma linha por transição aplicada).
+-- Contar colunas de user_subscriptions somava canceled_at e expired_at da mesma assinatura
+-- (cancelamento seguido da expiração) e perdia ciclos anteriores de quem voltou a assinar.
+-- Cada métrica conta a entrada no estado, não a permanência nele:
+--   new         → active vindo de nenhum estado ou de um estado encerrado (renovação não conta)
+--   churned     → canceled/expired vindo de um estado vivo (uma vez por assinatura)
+--   refunded    → refunded vindo de qualquer outro estado
+--   chargebacks → chargeback vindo de qualquer outro estado
+
+create index if not exists subscription_history_occurred_at_idx on subscription_history (occurred_at);
+
+create or replace function analytics_subscription_funnel(
+    p_from timestamptz,
+    p_to timestamptz,
+    p_granularity text
+)
+returns table (
+    bucket timestamptz,
+    new_subscriptions bigint,
+    churned bigint,
+    refunded bigint,
+    chargebacks bigint
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    with transitions as (
+        select
+            coalesce(h.occurred_at, h.created_at) as at,
+            case
+                when h.to_status = 'active'
+                    and (h.from_status is null or h.from_status in ('canceled', 'expired', 'refunded', 'chargeback', 'revoked'))
+                    then 'new'
+                when h.to_status in ('canceled', 'expired')
+                    and h.from_status in ('active', 'pending_cancellation', 'delayed', 'protested')
+                    then 'churned'
+                when h.to_status = 'refunded' and h.from_status is distinct from 'refunded'
+                    then 'refunded'
+                when h.to_status = 'chargeback' and h.from_status is distinct from 'chargeback'
+                    then 'chargeback'
+            end as kind
+        from subscription_history h
+        where h.to_status is distinct from h.from_status
+    )
+    select
+        date_trunc(coalesce(p_granularity, 'day'), t.at) as bucket,
+        count(*) filter (where t.kind = 'new') as new_subscriptions,
+        count(*) filter (where t.kind = 'churned') as churned,
+        count(*) filter (where t.kind = 'refunded') as refunded,
+        count(*) filter (where t.kind = 'chargeback') as chargebacks
+    from transitions t
+    where t.kind is not null
+      and t.at >= p_from and t.at < p_to
+    group by 1
+    order by 1;
+$$;
@@ -0,0 +1,13 @@
+-- Busca do /api/history?q= com config 'simple' (a mesma do textSearch no server.js).
+-- 'portuguese' aplicava stemming em português a gerações em es e en; o histórico mistura idiomas.
+-- Coluna gerada não tem o expression alterável: recria a coluna e o índice.
+
+drop index if exists generated_content_search_vector_idx;
+alter table generated_content drop column if exists search_vector;
+
+alter table generated_content add column search_vector tsvector
+    generated always as (
+        to_tsvector('simple', coalesce(title, '') || ' ' || coalesce(prompt, '') || ' ' || coalesce(content, ''))
+    ) stored;
+
+create index if not exists generated_content_search_vector_idx on generated_content using gin (search_vector);
@@ -0,0 +1,61 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/server');
+
+let server;
+let adminToken;
+let userToken;
+
+before(async () => {
+    server = await startTestServer({ env: { ADMIN_EMAILS: 'suporte@example.com' } });
+    adminToken = server.supabase.addUser({ id: '5b0c2f0e-5a3e-4c43-9d1c-7f1f7e0d0e01', email: 'suporte@example.com' });
+    userToken = server.supabase.addUser({ id: '5b0c2f0e-5a3e-4c43-9d1c-7f1f7e0d0e02', email: 'hugo@example.com' });
+});
+
+after(() => server.close());
+
+beforeEach(() => server.supabase.reset());
+
+// A auditoria é gravada depois da resposta
+async function auditRows(count) {
+    for (let i = 0; i < 50 && server.supabase.table('admin_audit_log').length < count; i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return server.supabase.table('admin_audit_log');
+}
+
+test('tentativa negada de quem não é admin também é auditada', async () => {
+    const { status } = await server.request('/api/admin/subscribers', { token: userToken });
+
+    assert.equal(status, 403);
+    const [row] = await auditRows(1);
+    assert.equal(row.actor_email, 'hugo@example.com');
+    assert.equal(row.action, 'subscribers.list');
+    assert.equal(row.status_code, 403);
+});
+
+test('listagem de webhooks recusa filtro repetido (array) e status desconhecido', async () => {
+    const repeated = await server.request('/api/admin/webhooks?status=failed&status=processed', { token: adminToken });
+    assert.equal(repeated.status, 400);
+    assert.equal(repeated.body.error, 'status deve ser um texto (máx: 320 caracteres)');
+
+    const unknown = await server.request('/api/admin/webhooks?status=qualquer', { token: adminToken });
+    assert.equal(unknown.status, 400);
+
+    const email = await server.request('/api/admin/webhooks?email=a@example.com&email=b@example.com', { token: adminToken });
+    assert.equal(email.status, 400);
+});
+
+test('listagem de webhooks filtra por status válido e registra a auditoria uma vez', async () => {
+    server.supabase.table('webhook_events').push(
+        { event_id: 'evt-1', event_type: 'PURCHASE_APPROVED', status: 'failed', received_at: new Date().toISOString() },
+        { event_id: 'evt-2', event_type: 'PURCHASE_APPROVED', status: 'processed', received_at: new Date().toISOString() }
+    );
+
+    const { status, body } = await server.request('/api/admin/webhooks?status=failed', { token: adminToken });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.items.map(item => item.event_id), ['evt-1']);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal((await auditRows(1)).length, 1);
+});
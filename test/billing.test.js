@@ -0,0 +1,181 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/server');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysFromNow = (days) => new Date(Date.now() + days * DAY_MS).toISOString();
+
+let server;
+let token;
+const user = { id: '5b0c2f0e-5a3e-4c43-9d1c-7f1f7e0d0b01', email: 'caio@example.com' };
+
+before(async () => {
+    server = await startTestServer({
+        env: {
+            LLM_PROVIDER: 'mock',
+            PLAN_LIMITS: JSON.stringify({ basic: { monthlyGenerations: 3, monthlyTokens: 1000 } })
+        }
+    });
+    token = server.supabase.addUser(user);
+});
+
+after(() => server.close());
+
+beforeEach(() => server.supabase.reset());
+
+function subscribe(fields) {
+    server.supabase.table('user_subscriptions').push({
+        id: 'sub-1',
+        user_email: user.email,
+        plan: 'basic',
+        status: 'active',
+        starts_at: daysFromNow(-5),
+        ends_at: daysFromNow(25),
+        created_at: daysFromNow(-5),
+        ...fields
+    });
+}
+
+function addUsage(count, tokensEach = 10) {
+    for (let i = 0; i < count; i++) {
+        server.supabase.table('generated_content').push({
+            id: `content-${i}`,
+            user_id: user.id,
+            tokens_used: tokensEach,
+            created_at: daysFromNow(-1)
+        });
+    }
+}
+
+const generate = () => server.request('/api/generate', {
+    method: 'POST',
+    token,
+    body: { template: 'instagram', prompt: `Oferta relâmpago ${Math.random()}`, structured: false }
+});
+
+test('getBillingPeriod ancora o ciclo no início da assinatura', () => {
+    const period = server.getBillingPeriod('2026-01-31T10:00:00Z', new Date('2026-03-15T00:00:00Z'));
+
+    assert.equal(period.start.toISOString(), '2026-03-03T10:00:00.000Z');
+    assert.equal(period.end.toISOString(), '2026-04-03T10:00:00.000Z');
+});
+
+test('getBillingPeriod usa o mês-calendário com âncora inválida e recua âncora futura', () => {
+    const now = new Date('2026-05-20T12:00:00Z');
+
+    const invalid = server.getBillingPeriod('não é data', now);
+    assert.equal(invalid.start.toISOString(), '2026-05-01T00:00:00.000Z');
+    assert.equal(invalid.end.toISOString(), '2026-06-01T00:00:00.000Z');
+
+    const future = server.getBillingPeriod('2026-07-10T00:00:00Z', now);
+    assert.equal(future.start.toISOString(), '2026-05-10T00:00:00.000Z');
+});
+
+test('getUsage soma no banco mesmo acima do limite de linhas do PostgREST', async () => {
+    addUsage(1500, 2);
+
+    const usage = await server.getUsage(user.id, { start: new Date(Date.now() - 2 * DAY_MS), end: new Date() });
+
+    assert.deepEqual(usage, { generations: 1500, tokens: 3000 });
+});
+
+test('sem assinatura, o primeiro acesso inicia um trial', async () => {
+    const { status, body } = await server.request('/api/usage', { token });
+
+    assert.equal(status, 200);
+    assert.equal(body.source, 'trial');
+    assert.equal(body.status, 'trialing');
+    assert.equal(server.supabase.table('user_trials').length, 1);
+});
+
+test('acessos simultâneos criam um único trial', async () => {
+    await Promise.all([1, 2, 3].map(() => server.request('/api/usage', { token })));
+
+    assert.equal(server.supabase.table('user_trials').length, 1);
+});
+
+test('trial vencido bloqueia a geração com 402', async () => {
+    server.supabase.table('user_trials').push({ user_id: user.id, started_at: daysFromNow(-10), ends_at: daysFromNow(-3) });
+
+    const { status, body } = await generate();
+
+    assert.equal(status, 402);
+    assert.equal(body.code, 'trial_expired');
+});
+
+test('assinatura ativa dentro da cota gera e conta o uso', async () => {
+    subscribe();
+    addUsage(2);
+
+    const { status } = await generate();
+    assert.equal(status, 200);
+
+    const usage = await server.request('/api/usage', { token });
+    assert.equal(usage.body.plan, 'basic');
+    assert.equal(usage.body.usage.generations, 3);
+    assert.equal(usage.body.remaining.generations, 0);
+    assert.equal(usage.body.allowed, false);
+});
+
+test('cota de gerações esgotada devolve 402 quota_exceeded', async () => {
+    subscribe();
+    addUsage(3);
+
+    const { status, body } = await generate();
+
+    assert.equal(status, 402);
+    assert.equal(body.code, 'quota_exceeded');
+    assert.equal(body.remaining.generations, 0);
+});
+
+test('cota de tokens esgotada também bloqueia', async () => {
+    subscribe();
+    addUsage(1, 1000);
+
+    const { status, body } = await generate();
+
+    assert.equal(status, 402);
+    assert.equal(body.code, 'quota_exceeded');
+    assert.equal(body.usage.tokens, 1000);
+});
+
+test('respostas do cache não contam na cota', async () => {
+    subscribe();
+    addUsage(3);
+    for (const row of server.supabase.table('generated_content')) row.cache_hit = true;
+
+    const usage = await server.request('/api/usage', { token });
+
+    assert.equal(usage.body.usage.generations, 0);
+    assert.equal(usage.body.allowed, true);
+});
+
+test('reembolso revoga o acesso com 403', async () => {
+    subscribe({ status: 'refunded' });
+
+    const { status, body } = await generate();
+
+    assert.equal(status, 403);
+    assert.equal(body.code, 'access_revoked');
+});
+
+test('pagamento atrasado mantém o acesso só durante a carência', async () => {
+    subscribe({ status: 'delayed', grace_until: daysFromNow(2) });
+    assert.equal((await generate()).status, 200);
+
+    server.supabase.table('user_subscriptions')[0].grace_until = daysFromNow(-1);
+    const { status, body } = await generate();
+    assert.equal(status, 402);
+    assert.equal(body.code, 'payment_overdue');
+});
+
+test('consulta da própria assinatura ignora a caixa do email', async () => {
+    subscribe({ user_email: 'Caio@Example.com' });
+
+    const own = await server.request('/api/subscription/CAIO@example.com', { token });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.status, 'active');
+
+    const other = await server.request('/api/subscription/outra@example.com', { token });
+    assert.equal(other.status, 403);
+});
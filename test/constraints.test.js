@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/server');
+
+let server;
+
+before(async () => {
+    server = await startTestServer();
+});
+
+after(() => server.close());
+
+// Mesmo formato do template instagram: lista sem title, única propriedade do schema
+const instagram = {
+    constraints: { fields: { 'captions[]': { hashtags: { min: 3, max: 5 } } } },
+    outputSchema: {
+        type: 'object',
+        properties: { captions: { type: 'array', items: { type: 'string' } } }
+    }
+};
+
+const googleAds = {
+    constraints: { fields: { headline1: { maxLength: 30 }, description: { maxLength: 90 } } },
+    outputSchema: {
+        type: 'object',
+        properties: {
+            headline1: { type: 'string', title: 'Título 1' },
+            description: { type: 'string', title: 'Descrição' }
+        }
+    }
+};
+
+test('aplica o limite de hashtags a cada legenda do instagram em texto livre', () => {
+    const content = [
+        'Primeira legenda ☕\nVem provar! #cafe #especial #torra',
+        'Segunda legenda com exagero #a #b #c #d #e #f #g',
+        'Terceira sem hashtag nenhuma'
+    ].join('\n\n');
+
+    const { content: enforced, constraintReport } = server.enforceTextConstraints(content, instagram);
+
+    assert.deepEqual(constraintReport.trimmed, ['captions[1]']);
+    assert.deepEqual(enforced.split('\n\n'), [
+        'Primeira legenda ☕\nVem provar! #cafe #especial #torra',
+        'Segunda legenda com exagero #a #b #c #d #e',
+        'Terceira sem hashtag nenhuma'
+    ]);
+    assert.deepEqual(constraintReport.violations.map(v => [v.field, v.rule, v.actual]), [['captions[2]', 'hashtags', 0]]);
+});
+
+test('campos com title são lidos pela linha "Rótulo: valor"', () => {
+    const content = 'Título 1: Tênis de corrida ultraleve com amortecimento\nDescrição: Corra mais leve.';
+
+    const { content: enforced, constraintReport } = server.enforceTextConstraints(content, googleAds);
+
+    assert.deepEqual(constraintReport.trimmed, ['headline1']);
+    assert.equal(enforced.split('\n')[1], 'Descrição: Corra mais leve.');
+    assert.ok(enforced.split('\n')[0].length <= 'Título 1: '.length + 30);
+    assert.deepEqual(constraintReport.violations, []);
+});
+
+test('lista com title é lida abaixo do rótulo, um item por linha', () => {
+    const template = {
+        constraints: { fields: { 'features[]': { maxLength: 12 } } },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                title: { type: 'string', title: 'Título' },
+                features: { type: 'array', title: 'Características', listStyle: 'bullets', items: { type: 'string' } },
+                cta: { type: 'string', title: 'CTA' }
+            }
+        }
+    };
+    const content = 'Título: Mochila\nCaracterísticas:\n- Leve\n- Impermeável e resistente\nCTA: Compre já';
+
+    const { content: enforced, constraintReport } = server.enforceTextConstraints(content, template);
+
+    assert.deepEqual(constraintReport.trimmed, ['features[1]']);
+    const lines = enforced.split('\n');
+    assert.equal(lines[2], '- Leve');
+    assert.match(lines[3], /^- Impermeável/);
+    assert.equal(lines[4], 'CTA: Compre já');
+});
+
+test('sem campos reconhecíveis não há relatório', () => {
+    const result = server.enforceTextConstraints('Texto corrido qualquer', googleAds);
+
+    assert.equal(result.constraintReport, null);
+    assert.equal(result.content, 'Texto corrido qualquer');
+});
@@ -0,0 +1,26 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/server');
+
+const userId = '5b0c2f0e-5a3e-4c43-9d1c-7f1f7e0d0d01';
+let server;
+let token;
+
+before(async () => {
+    server = await startTestServer({ env: { HISTORY_EXPORT_LIMIT: '2' } });
+    token = server.supabase.addUser({ id: userId, email: 'gabi@example.com' });
+});
+
+after(() => server.close());
+
+test('export desempata pelo id quando created_at se repete', async () => {
+    const createdAt = '2026-10-01T12:00:00.000Z';
+    for (const id of ['0a000000-0000-4000-8000-000000000001', '0a000000-0000-4000-8000-000000000002', '0a000000-0000-4000-8000-000000000003']) {
+        server.supabase.table('generated_content').push({ id, user_id: userId, template_type: 'instagram', content: id, created_at: createdAt, tags: [] });
+    }
+
+    const { status, body } = await server.request('/api/history/export?format=json', { token });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.map(item => item.id), ['0a000000-0000-4000-8000-000000000003', '0a000000-0000-4000-8000-000000000002']);
+});
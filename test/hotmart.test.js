@@ -0,0 +1,116 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/server');
+
+const HOTTOK = 'hottok-de-teste';
+const email = 'dani@example.com';
+
+let server;
+
+before(async () => {
+    server = await startTestServer({ env: { HOTMART_HOTTOK: HOTTOK } });
+});
+
+after(() => server.close());
+
+beforeEach(() => server.supabase.reset());
+
+function hotmartEvent(event, fields = {}) {
+    return {
+        id: `evt-${Math.random().toString(36).slice(2)}`,
+        event,
+        creation_date: Date.now(),
+        data: {
+            buyer: { email },
+            product: { id: 123, name: 'Gerador de conteúdo' },
+            purchase: { transaction: 'HP-1', recurrence_number: 1 }
+        },
+        ...fields
+    };
+}
+
+const deliver = (payload, hottok = HOTTOK) => server.request('/webhook/hotmart', {
+    method: 'POST',
+    headers: { 'X-Hotmart-Hottok': hottok },
+    body: payload
+});
+
+const subscription = () => server.supabase.table('user_subscriptions').find(row => row.user_email === email);
+
+test('recusa hottok inválido com 401 sem tocar na assinatura', async () => {
+    const { status } = await deliver(hotmartEvent('PURCHASE_APPROVED'), 'outro');
+
+    assert.equal(status, 401);
+    assert.equal(server.supabase.table('webhook_events').length, 0);
+    assert.equal(subscription(), undefined);
+});
+
+test('PURCHASE_APPROVED ativa a assinatura e grava o histórico', async () => {
+    const { status, body } = await deliver(hotmartEvent('PURCHASE_APPROVED'));
+
+    assert.equal(status, 200);
+    assert.equal(body.result, 'processed');
+    assert.equal(subscription().status, 'active');
+    assert.ok(new Date(subscription().ends_at) > new Date());
+    assert.equal(server.supabase.table('webhook_events')[0].status, 'processed');
+    assert.equal(server.supabase.table('subscription_history')[0].to_status, 'active');
+});
+
+test('reentrega do mesmo id é ignorada como duplicada', async () => {
+    const payload = hotmartEvent('PURCHASE_APPROVED');
+    await deliver(payload);
+
+    const { status, body } = await deliver(payload);
+
+    assert.equal(status, 200);
+    assert.equal(body.result, 'duplicate');
+    assert.equal(server.supabase.table('subscription_history').length, 1);
+});
+
+test('evento mais antigo que o último aplicado não sobrescreve o estado', async () => {
+    server.supabase.table('user_subscriptions').push({ user_email: email, plan: 'basic', status: 'refunded', last_event_at: new Date().toISOString() });
+
+    const { body } = await deliver(hotmartEvent('PURCHASE_APPROVED', { creation_date: Date.now() - 60 * 60 * 1000 }));
+
+    assert.equal(body.result, 'ignored');
+    assert.equal(subscription().status, 'refunded');
+});
+
+test('falha no processamento devolve 5xx e o reenvio é reprocessado', async () => {
+    const payload = hotmartEvent('PURCHASE_APPROVED');
+    server.supabase.failNext('POST', 'user_subscriptions');
+
+    const failed = await deliver(payload);
+    assert.equal(failed.status, 500);
+    assert.equal(server.supabase.table('webhook_events')[0].status, 'failed');
+
+    const retried = await deliver(payload);
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.result, 'processed');
+    assert.equal(subscription().status, 'active');
+});
+
+test('payload sem email do comprador é recusado com 4xx e não é registrado', async () => {
+    const payload = hotmartEvent('PURCHASE_APPROVED');
+    delete payload.data.buyer;
+
+    const { status } = await deliver(payload);
+
+    assert.equal(status, 400);
+    assert.equal(server.supabase.table('webhook_events').length, 0);
+});
+
+test('reembolso sem creation_date usa a hora do recebimento, não a da aprovação', async () => {
+    const approvedAt = Date.now() - 20 * 24 * 60 * 60 * 1000;
+    server.supabase.table('user_subscriptions').push({ user_email: email, plan: 'basic', status: 'active', last_event_at: new Date(Date.now() - 60 * 1000).toISOString() });
+
+    const payload = hotmartEvent('PURCHASE_REFUNDED');
+    delete payload.creation_date;
+    payload.data.purchase.approved_date = approvedAt;
+
+    const { body } = await deliver(payload);
+
+    assert.equal(body.result, 'processed');
+    assert.equal(subscription().status, 'refunded');
+    assert.ok(new Date(server.supabase.table('webhook_events')[0].occurred_at) > new Date(approvedAt));
+});
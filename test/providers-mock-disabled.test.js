@@ -0,0 +1,37 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/server');
+
+// Sem ALLOW_MOCK_PROVIDER o cliente não pode pedir o provedor mock (respostas falsas contam na cota)
+let server;
+let token;
+
+before(async () => {
+    server = await startTestServer({ env: { LLM_PROVIDER: 'mock', ALLOW_MOCK_PROVIDER: '' } });
+    token = server.supabase.addUser({ id: '5b0c2f0e-5a3e-4c43-9d1c-7f1f7e0d0a02', email: 'bia@example.com' });
+});
+
+after(() => server.close());
+
+test('recusa provider=mock vindo do cliente', async () => {
+    const { status, body } = await server.request('/api/generate', {
+        method: 'POST',
+        token,
+        body: { template: 'instagram', prompt: 'Feira de artesanato no sábado', provider: 'mock' }
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Provedor inválido');
+    assert.equal(server.supabase.table('generated_content').length, 0);
+});
+
+test('a rota configurada pelo servidor ainda pode usar o mock', async () => {
+    const { status, body } = await server.request('/api/generate', {
+        method: 'POST',
+        token,
+        body: { template: 'instagram', prompt: 'Feira de artesanato no domingo', structured: false }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.provider, 'mock');
+});
@@ -0,0 +1,137 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startTestServer, chatCompletion } = require('./support/server');
+
+// Principal: DeepSeek em http://llm.test (falso); fallback: provedor mock
+let llmStatus = 200;
+let llmCalls = 0;
+let server;
+let token;
+
+before(async () => {
+    server = await startTestServer({
+        env: {
+            LLM_PROVIDER: 'deepseek',
+            DEEPSEEK_BASE_URL: 'http://llm.test',
+            DEEPSEEK_API_KEY: 'test',
+            LLM_FALLBACK_PROVIDER: 'mock',
+            LLM_MAX_RETRIES: '0',
+            ALLOW_MOCK_PROVIDER: 'true',
+            MOCK_LLM_RESPONSE: 'Resposta do mock'
+        },
+        llm: async () => {
+            llmCalls++;
+            if (llmStatus !== 200) return new Response('falha', { status: llmStatus });
+            return chatCompletion('Resposta do DeepSeek');
+        }
+    });
+    token = server.supabase.addUser({ id: '5b0c2f0e-5a3e-4c43-9d1c-7f1f7e0d0a01', email: 'ana@example.com' });
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+    llmStatus = 200;
+    llmCalls = 0;
+});
+
+const generate = (prompt, extra = {}) => server.request('/api/generate', {
+    method: 'POST',
+    token,
+    body: { template: 'instagram', prompt, structured: false, cache: false, ...extra }
+});
+
+test('usa o provedor principal quando ele responde', async () => {
+    const { status, body } = await generate('Lançamento de um tênis de corrida leve');
+
+    assert.equal(status, 200);
+    assert.equal(body.provider, 'deepseek');
+    assert.match(body.content, /Resposta do DeepSeek/);
+});
+
+test('cai para o fallback quando o principal devolve 5xx', async () => {
+    llmStatus = 503;
+
+    const { status, body } = await generate('Promoção de inverno para casacos');
+
+    assert.equal(status, 200);
+    assert.equal(body.provider, 'mock');
+    assert.match(body.content, /Resposta do mock/);
+    assert.equal(llmCalls, 1);
+});
+
+test('não faz failover em erro do cliente (4xx)', async () => {
+    llmStatus = 400;
+
+    const { status, body } = await generate('Curso online de fotografia');
+
+    assert.equal(status, 500);
+    assert.equal(body.error, 'Erro ao gerar conteúdo');
+    assert.equal(llmCalls, 1);
+});
+
+test('aceita o provedor mock escolhido pelo cliente com ALLOW_MOCK_PROVIDER', async () => {
+    const { status, body } = await generate('Café especial torrado na hora', { provider: 'mock' });
+
+    assert.equal(status, 200);
+    assert.equal(body.provider, 'mock');
+    assert.equal(body.model, 'mock-1');
+    assert.equal(llmCalls, 0);
+});
+
+test('recusa modelo fora da lista do provedor', async () => {
+    const { status, body } = await generate('Plano de academia anual', { provider: 'deepseek', model: 'gpt-4o' });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Modelo não permitido para o provedor deepseek');
+    assert.equal(llmCalls, 0);
+});
+
+test('validateProviderChoice recusa provedor desconhecido e aceita o modelo padrão', () => {
+    assert.equal(server.validateProviderChoice('instagram', { provider: 'anthropic' }), 'Provedor inválido');
+    assert.equal(server.validateProviderChoice('instagram', { provider: 'deepseek', model: 'deepseek-chat' }), null);
+    assert.equal(server.validateProviderChoice('instagram', { provider: 'mock', model: 'mock-1' }), null);
+});
+
+function storeParent(fields) {
+    const row = {
+        id: crypto.randomUUID(),
+        user_id: '5b0c2f0e-5a3e-4c43-9d1c-7f1f7e0d0a01',
+        template_type: 'instagram',
+        prompt: 'Brechó de roupas infantis',
+        content: 'Legenda anterior #brecho #infantil #moda',
+        language: 'pt-BR',
+        moderation_status: 'allowed',
+        created_at: new Date().toISOString(),
+        ...fields
+    };
+    server.supabase.table('generated_content').push(row);
+    return row;
+}
+
+const refine = (parent) => server.request(`/api/content/${parent.id}/refine`, {
+    method: 'POST',
+    token,
+    body: { action: 'shorter', cache: false }
+});
+
+test('refinamento reusa o provedor e o modelo da versão anterior', async () => {
+    const parent = storeParent({ provider: 'mock', model: 'mock-1' });
+
+    const { status, body } = await refine(parent);
+
+    assert.equal(status, 200);
+    assert.equal(body.provider, 'mock');
+    assert.equal(llmCalls, 0);
+});
+
+test('refinamento volta para a rota do template se o provedor anterior saiu da configuração', async () => {
+    const parent = storeParent({ provider: 'openai', model: 'gpt-4o' });
+
+    const { status, body } = await refine(parent);
+
+    assert.equal(status, 200);
+    assert.equal(body.provider, 'deepseek');
+    assert.equal(llmCalls, 1);
+});
@@ -0,0 +1,59 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/server');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysFromNow = (days) => new Date(Date.now() + days * DAY_MS).toISOString();
+
+let server;
+
+before(async () => {
+    server = await startTestServer();
+});
+
+after(() => server.close());
+
+beforeEach(() => server.supabase.reset());
+
+function storeSubscription(fields) {
+    const row = {
+        user_email: 'fabi@example.com',
+        plan: 'basic',
+        status: 'active',
+        ends_at: daysFromNow(-1),
+        last_event_at: daysFromNow(-31),
+        ...fields
+    };
+    server.supabase.table('user_subscriptions').push(row);
+    return { ...row };
+}
+
+const expire = (snapshot) => server.applyScheduledSubscriptionChange(snapshot, 'SCHEDULED_EXPIRE', {
+    status: 'expired',
+    expired_at: new Date().toISOString()
+}, 'scheduler');
+
+test('expira a assinatura lida e registra no histórico', async () => {
+    const snapshot = storeSubscription();
+
+    assert.equal(await expire(snapshot), true);
+    assert.equal(server.supabase.table('user_subscriptions')[0].status, 'expired');
+    assert.equal(server.supabase.table('subscription_history')[0].source, 'scheduler');
+});
+
+test('renovação que só moveu ends_at depois da leitura não é expirada', async () => {
+    const snapshot = storeSubscription();
+    Object.assign(server.supabase.table('user_subscriptions')[0], { ends_at: daysFromNow(30) });
+
+    assert.equal(await expire(snapshot), false);
+    assert.equal(server.supabase.table('user_subscriptions')[0].status, 'active');
+    assert.equal(server.supabase.table('subscription_history').length, 0);
+});
+
+test('webhook aplicado depois da leitura ganha mesmo sem mudar status nem ends_at', async () => {
+    const snapshot = storeSubscription();
+    server.supabase.table('user_subscriptions')[0].last_event_at = new Date().toISOString();
+
+    assert.equal(await expire(snapshot), false);
+    assert.equal(server.supabase.table('user_subscriptions')[0].status, 'active');
+});
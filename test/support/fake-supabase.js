@@ -0,0 +1,249 @@
+// Supabase em memória para os testes: o subconjunto do PostgREST e do Auth que o server.js usa.
+// Instalado no lugar do fetch global; requisições para outras URLs seguem para o fetch real.
+const crypto = require('crypto');
+
+const SUPABASE_URL = 'http://supabase.test';
+
+// max-rows do PostgREST no Supabase: sem limit explícito a resposta vem truncada
+const MAX_ROWS = 1000;
+
+// Chaves únicas por tabela (o insert duplicado responde 23505, como o Postgres)
+const UNIQUE_KEYS = {
+    user_subscriptions: 'user_email',
+    user_trials: 'user_id',
+    webhook_events: 'event_id',
+    email_messages: 'dedupe_key',
+    scheduler_locks: 'name'
+};
+
+function createFakeSupabase() {
+    const tables = {};
+    const users = new Map();
+    const rpcs = {};
+    const failures = [];
+
+    const table = (name) => (tables[name] = tables[name] || []);
+
+    const fake = {
+        url: SUPABASE_URL,
+        tables,
+        table,
+
+        // Token → usuário devolvido por /auth/v1/user
+        addUser(user) {
+            const token = `token-${user.id}`;
+            users.set(token, { app_metadata: {}, ...user });
+            return token;
+        },
+
+        rpc(name, handler) {
+            rpcs[name] = handler;
+        },
+
+        // A próxima requisição que casar com (método, tabela) responde erro 500
+        failNext(method, tableName) {
+            failures.push({ method, tableName });
+        },
+
+        reset() {
+            for (const name of Object.keys(tables)) delete tables[name];
+            failures.length = 0;
+        },
+
+        async handle(url, options = {}) {
+            const method = (options.method || 'GET').toUpperCase();
+            const headers = new Headers(options.headers || {});
+
+            if (url.pathname === '/auth/v1/user') {
+                const token = (headers.get('authorization') || '').replace(/^Bearer /, '');
+                const user = users.get(token);
+                return user ? json(user) : json({ msg: 'invalid JWT' }, 401);
+            }
+
+            const rpcMatch = url.pathname.match(/^\/rest\/v1\/rpc\/(\w+)$/);
+            if (rpcMatch) {
+                const handler = rpcs[rpcMatch[1]];
+                if (!handler) return json({ code: 'PGRST202', message: `rpc ${rpcMatch[1]} não registrada` }, 404);
+                return json(await handler(JSON.parse(options.body || '{}'), tables));
+            }
+
+            const tableMatch = url.pathname.match(/^\/rest\/v1\/(\w+)$/);
+            if (!tableMatch) return json({ message: 'not found' }, 404);
+
+            const name = tableMatch[1];
+            const failureIndex = failures.findIndex(failure => failure.method === method && failure.tableName === name);
+            if (failureIndex !== -1) {
+                failures.splice(failureIndex, 1);
+                return json({ code: 'XX000', message: 'falha simulada' }, 500);
+            }
+
+            return handleTable(table(name), name, method, url.searchParams, headers, options.body);
+        }
+    };
+
+    return fake;
+}
+
+function handleTable(rows, name, method, params, headers, body) {
+    const prefer = headers.get('prefer') || '';
+    const single = (headers.get('accept') || '').includes('vnd.pgrst.object');
+    const respond = (result, status = 200, extraHeaders = {}) => {
+        if (single) {
+            return result.length === 1
+                ? json(result[0], status, extraHeaders)
+                : json({ code: 'PGRST116', message: `${result.length} linhas` }, 406);
+        }
+        return json(result, status, extraHeaders);
+    };
+
+    if (method === 'POST') {
+        const payload = [].concat(JSON.parse(body));
+        const uniqueKey = params.get('on_conflict') || UNIQUE_KEYS[name];
+        const upsert = prefer.includes('resolution=');
+        const inserted = [];
+
+        for (const values of payload) {
+            const existing = uniqueKey && rows.find(row => row[uniqueKey] === values[uniqueKey]);
+            if (existing) {
+                if (!upsert) return json({ code: '23505', message: `duplicate key value violates unique constraint on ${uniqueKey}` }, 409);
+                if (prefer.includes('ignore-duplicates')) continue;
+                Object.assign(existing, values);
+                inserted.push(existing);
+                continue;
+            }
+            const row = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...values };
+            rows.push(row);
+            inserted.push(row);
+        }
+        return respond(inserted, 201);
+    }
+
+    let result = rows.filter(row => matchesFilters(row, params));
+
+    if (method === 'PATCH') {
+        const changes = JSON.parse(body);
+        result.forEach(row => Object.assign(row, changes));
+        return respond(result);
+    }
+
+    if (method === 'DELETE') {
+        for (const row of result) rows.splice(rows.indexOf(row), 1);
+        return respond(result);
+    }
+
+    const order = params.get('order');
+    if (order) {
+        const keys = order.split(',').map(part => part.split('.'));
+        result = [...result].sort((a, b) => {
+            for (const [column, direction] of keys) {
+                const diff = a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0;
+                if (diff) return direction === 'desc' ? -diff : diff;
+            }
+            return 0;
+        });
+    }
+
+    const total = result.length;
+    const offset = Number(params.get('offset') || 0);
+    const limit = Math.min(Number(params.get('limit') || MAX_ROWS), MAX_ROWS);
+    result = result.slice(offset, offset + limit);
+
+    const countHeaders = prefer.includes('count=exact')
+        ? { 'content-range': `${offset}-${offset + result.length - 1}/${total}` }
+        : {};
+    if (method === 'HEAD') return new Response(null, { status: 200, headers: countHeaders });
+    return respond(result, 200, countHeaders);
+}
+
+const RESERVED_PARAMS = ['select', 'order', 'limit', 'offset', 'columns', 'on_conflict'];
+
+function matchesFilters(row, params) {
+    for (const [column, expression] of params) {
+        if (RESERVED_PARAMS.includes(column)) continue;
+        if (column === 'or' || column === 'and') {
+            if (!matchesGroup(row, expression.slice(1, -1), column)) return false;
+            continue;
+        }
+        if (!matchesCondition(row, column, expression)) return false;
+    }
+    return true;
+}
+
+// `a.eq.1,and(b.lt.2,c.is.null)` → termos do nível de cima
+function splitTerms(expression) {
+    const terms = [];
+    let depth = 0;
+    let current = '';
+    for (const char of expression) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ',' && depth === 0) {
+            terms.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current) terms.push(current);
+    return terms;
+}
+
+function matchesGroup(row, expression, mode) {
+    const results = splitTerms(expression).map(term => {
+        const group = term.match(/^(and|or)\((.*)\)$/);
+        if (group) return matchesGroup(row, group[2], group[1]);
+        const [column, ...rest] = term.split('.');
+        return matchesCondition(row, column, rest.join('.'));
+    });
+    return mode === 'and' ? results.every(Boolean) : results.some(Boolean);
+}
+
+function parseValue(raw) {
+    const value = raw.replace(/^"(.*)"$/, '$1');
+    if (value === 'null') return null;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    return value;
+}
+
+function matchesCondition(row, column, expression) {
+    const dot = expression.indexOf('.');
+    const operator = expression.slice(0, dot);
+    const operand = expression.slice(dot + 1);
+    const actual = row[column] === undefined ? null : row[column];
+
+    if (operator === 'not') return !matchesCondition(row, column, operand);
+
+    const expected = parseValue(operand);
+    const compare = (a, b) => {
+        const numeric = typeof a === 'number' ? [a, Number(b)] : [String(a), String(b)];
+        return numeric[0] > numeric[1] ? 1 : numeric[0] < numeric[1] ? -1 : 0;
+    };
+
+    switch (operator) {
+        case 'eq': return actual !== null && String(actual) === String(expected);
+        case 'neq': return actual === null || String(actual) !== String(expected);
+        case 'is': return expected === null ? actual === null : actual === expected;
+        case 'in': return splitTerms(operand.slice(1, -1)).map(parseValue).map(String).includes(String(actual));
+        case 'gt': return actual !== null && compare(actual, expected) > 0;
+        case 'gte': return actual !== null && compare(actual, expected) >= 0;
+        case 'lt': return actual !== null && compare(actual, expected) < 0;
+        case 'lte': return actual !== null && compare(actual, expected) <= 0;
+        case 'cs': return splitTerms(operand.slice(1, -1)).map(parseValue).every(value => (actual || []).includes(value));
+        case 'ilike': {
+            const pattern = String(expected).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/[*%]/g, '.*');
+            return new RegExp(`^${pattern}$`, 'i').test(actual || '');
+        }
+        default:
+            throw new Error(`Operador não suportado no fake do Supabase: ${operator}`);
+    }
+}
+
+function json(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'content-type': 'application/json', ...headers }
+    });
+}
+
+module.exports = { createFakeSupabase, SUPABASE_URL };
@@ -0,0 +1,73 @@
+// Sobe o server.js numa porta livre, com o Supabase em memória e (opcional) um provedor de LLM falso
+// em http://llm.test. O ambiente é lido quando o server.js é carregado: um processo por arquivo de teste
+// (o `node --test` já faz isso), então cada arquivo chama startTestServer uma vez.
+const { createFakeSupabase } = require('./fake-supabase');
+
+async function startTestServer({ env = {}, llm = null } = {}) {
+    const supabase = createFakeSupabase();
+    // Mesma regra da função usage_totals (migração 20261019000700)
+    supabase.rpc('usage_totals', ({ p_user_id, p_from, p_to }, tables) => {
+        const rows = (tables.generated_content || []).filter(row => row.user_id === p_user_id &&
+            row.cache_hit !== true &&
+            row.created_at >= p_from &&
+            row.created_at < p_to);
+        return [{ generations: rows.length, tokens: rows.reduce((sum, row) => sum + (row.tokens_used || 0), 0) }];
+    });
+
+    Object.assign(process.env, {
+        SUPABASE_URL: supabase.url,
+        SUPABASE_SERVICE_ROLE_KEY: 'service-role-test',
+        LOG_LEVEL: 'error',
+        // Os testes geram em sequência; o token bucket do trial (5/min) não é o que está em teste
+        RATE_LIMIT_RULES: JSON.stringify({ generate: { limits: { trial: 1000, basic: 1000, pro: 1000 } } }),
+        ...env
+    });
+
+    const realFetch = global.fetch;
+    global.fetch = async (input, options = {}) => {
+        const url = new URL(typeof input === 'string' ? input : input.url);
+        if (url.origin === supabase.url) return supabase.handle(url, options);
+        if (url.hostname === 'llm.test') {
+            if (!llm) throw new Error('Provedor de LLM falso não configurado');
+            return llm(url, JSON.parse(options.body), options);
+        }
+        return realFetch(input, options);
+    };
+
+    const server = require('../../server');
+    const listener = server.app.listen(0);
+    await new Promise(resolve => listener.once('listening', resolve));
+    const baseUrl = `http://127.0.0.1:${listener.address().port}`;
+
+    async function request(path, { method = 'GET', token, body, headers = {} } = {}) {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: {
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                ...headers
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    }
+
+    return {
+        ...server,
+        supabase,
+        baseUrl,
+        request,
+        close: () => new Promise(resolve => listener.close(resolve))
+    };
+}
+
+// Resposta no formato chat/completions (não streaming)
+function chatCompletion(content, usage = { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }) {
+    return new Response(JSON.stringify({ choices: [{ message: { content } }], usage }), {
+        status: 200,
+        headers: { 'content-type': 'application/json' }
+    });
+}
+
+module.exports = { startTestServer, chatCompletion };
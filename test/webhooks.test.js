@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startTestServer } = require('./support/server');
+
+let server;
+let token;
+
+before(async () => {
+    server = await startTestServer();
+    token = server.supabase.addUser({ id: '5b0c2f0e-5a3e-4c43-9d1c-7f1f7e0d0c01', email: 'edu@example.com' });
+});
+
+after(() => server.close());
+
+test('validateWebhookUrl aceita https público e recusa rede interna', () => {
+    assert.equal(server.validateWebhookUrl('https://hooks.example.com/recebe'), null);
+    assert.equal(server.validateWebhookUrl('http://hooks.example.com/recebe'), 'url deve usar https');
+    assert.equal(server.validateWebhookUrl('não é url'), 'url inválida');
+
+    for (const url of [
+        'https://localhost/x',
+        'https://api.localhost/x',
+        'https://metadata.internal/x',
+        'https://127.0.0.1/x',
+        'https://10.1.2.3/x',
+        'https://169.254.169.254/latest',
+        'https://[::1]/x',
+        'https://[::ffff:127.0.0.1]/x',
+        'https://example.com./x'
+    ]) {
+        assert.equal(server.validateWebhookUrl(url), 'url não pode apontar para rede interna', url);
+    }
+});
+
+test('isBlockedWebhookAddress bloqueia faixas privadas e o que não é IP', () => {
+    assert.equal(server.isBlockedWebhookAddress('192.168.0.10'), true);
+    assert.equal(server.isBlockedWebhookAddress('fd00::1'), true);
+    assert.equal(server.isBlockedWebhookAddress('nome.example.com'), true);
+    assert.equal(server.isBlockedWebhookAddress('93.184.216.34'), false);
+    assert.equal(server.isBlockedWebhookAddress('2606:2800:220:1::1'), false);
+});
+
+test('webhookLookup recusa nome que resolve para endereço interno', async () => {
+    const error = await new Promise(resolve => server.webhookLookup('localhost', {}, resolve));
+
+    assert.equal(error.code, 'EWEBHOOKBLOCKED');
+});
+
+test('signWebhookPayload assina timestamp e corpo com HMAC-SHA256', () => {
+    const body = JSON.stringify({ type: 'subscription.activated' });
+    const expected = crypto.createHmac('sha256', 'whsec_teste').update(`1700000000.${body}`).digest('hex');
+
+    assert.equal(server.signWebhookPayload('whsec_teste', 1700000000, body), `t=1700000000,v1=${expected}`);
+});
+
+test('POST /api/webhooks recusa url interna e cria com url pública', async () => {
+    const refused = await server.request('/api/webhooks', {
+        method: 'POST',
+        token,
+        body: { url: 'https://10.0.0.5/hook', events: ['subscription.activated'] }
+    });
+    assert.equal(refused.status, 400);
+    assert.equal(refused.body.error, 'url não pode apontar para rede interna');
+
+    const created = await server.request('/api/webhooks', {
+        method: 'POST',
+        token,
+        body: { url: 'https://hooks.example.com/recebe', events: ['subscription.activated'] }
+    });
+    assert.equal(created.status, 201);
+    assert.match(created.body.secret, /^whsec_/);
+    assert.equal(server.supabase.table('webhook_endpoints').length, 1);
+});
+
+test('email do evento não injeta filtros na busca de endpoints', async () => {
+    server.supabase.table('webhook_endpoints').push({
+        id: 'endpoint-de-outro',
+        user_id: 'outro-usuario',
+        owner_email: 'vitima@example.com',
+        is_global: false,
+        active: true,
+        events: ['subscription.activated']
+    });
+
+    await server.emitWebhookEvent('subscription.activated', {
+        email: 'x@example.com",is_global.eq.false,owner_email.eq."y',
+        data: {}
+    });
+
+    assert.equal(server.supabase.table('webhook_deliveries').length, 0);
+});